@@ -0,0 +1,759 @@
+/*
+ * Offline OCR for Thought Bank.
+ *
+ * A small, dependency-free text recogniser for screenshots and photos
+ * of printed text. script.js runs it as a Web Worker
+ * (new Worker('ocr-worker.js')) so long pages do not freeze the UI. The
+ * same file is also loaded as a regular page script, which lets
+ * script.js fall back to calling ocrRecognize() directly where workers
+ * cannot be started (some browsers refuse them on file:// pages).
+ *
+ * Recognition works on clean printed text rather than handwriting:
+ *   1. the image is converted to grey and binarised with a local
+ *      (Bradley) threshold, so uneven lighting in phone photos and
+ *      light-on-dark screenshots both work
+ *   2. connected ink blobs are found and grouped into text lines, with
+ *      dots, accents and punctuation attached to their line and the
+ *      parts of one character (the dot of an i, a colon) merged
+ *   3. each character is scaled relative to its line's cap height and
+ *      baseline and compared against templates rendered from the fonts
+ *      available to the browser, picking the closest match; characters
+ *      that touch their neighbour are split where that matches better
+ *   4. gaps become spaces, lines become paragraphs, and lookalikes such
+ *      as 0/O and 1/l are settled from the rest of the word
+ *
+ * The similarity of each match doubles as a confidence score, so the
+ * review dialog can point at the words most likely to need fixing.
+ *
+ * Worker messages:
+ *   in:  { id, width, height, data }  RGBA pixels (ArrayBuffer)
+ *   out: { id, type: 'progress', value, stage }
+ *        { id, type: 'done', result }  see ocrRecognize()
+ *        { id, type: 'error', message }
+ */
+
+// ---------- Templates ----------
+
+// Characters the recogniser knows. Anything else is read as the
+// closest of these.
+const OCR_CHARSET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789' +
+  '.,;:!?\'"()[]-–—/&%$@#*+=’“”';
+
+// Font families and weights the templates are rendered in. Generic
+// families resolve to whatever the system uses, which is usually what
+// screenshots of that system show.
+const OCR_FONTS = ['sans-serif', 'serif', 'monospace', 'system-ui', 'Georgia', 'Verdana'];
+const OCR_WEIGHTS = ['400', '700'];
+
+// Size of the grid a character is sampled into. Each cell is square,
+// and the grid spans a fixed frame around the baseline measured in
+// cap heights, so size and vertical position (o vs O, comma vs
+// apostrophe) are part of the comparison.
+const OCR_GRID_W = 16;
+const OCR_GRID_H = 24;
+const OCR_FRAME_ABOVE = 1.15;
+const OCR_FRAME_BELOW = 0.4;
+
+// Samples taken per grid cell along each axis.
+const OCR_SAMPLES = 3;
+
+// Similarity lost per cap height of difference between the width of
+// a character and a template. The grid only covers about one cap
+// height across, so without this two touching letters could still
+// match a single narrow one.
+const OCR_WIDTH_PENALTY = 0.35;
+
+// Similarity lost when a character is in one piece and the template in
+// several, or the other way round. This is what tells i from l, ! from
+// l and : from . once the shapes are scaled down and blurred.
+const OCR_PARTS_PENALTY = 0.08;
+
+// Matches below this similarity mark their word as doubtful.
+const OCR_DOUBTFUL_SCORE = 0.72;
+
+// Rendered templates, built on first use and kept for later images.
+let ocrTemplates = null;
+
+/**
+ * A 1-bit image: data holds 1 for ink and 0 for background.
+ *
+ * @typedef {Object} OcrBitmap
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} data
+ */
+
+/**
+ * An inclusive-exclusive pixel rectangle.
+ *
+ * @typedef {Object} OcrBox
+ * @property {number} x0
+ * @property {number} y0
+ * @property {number} x1
+ * @property {number} y1
+ */
+
+/**
+ * Create a canvas for rendering templates, preferring OffscreenCanvas
+ * (the only kind a worker has).
+ *
+ * @param {number} width
+ * @param {number} height
+ */
+function ocrCreateCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  throw new Error('This browser cannot draw the text templates OCR needs.');
+}
+
+/**
+ * Bounding box of the ink in a bitmap, or null when it is blank.
+ *
+ * @param {OcrBitmap} bitmap
+ * @returns {OcrBox|null}
+ */
+function ocrInkBox(bitmap) {
+  let x0 = bitmap.width;
+  let y0 = bitmap.height;
+  let x1 = 0;
+  let y1 = 0;
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      if (!bitmap.data[y * bitmap.width + x]) continue;
+      if (x < x0) x0 = x;
+      if (y < y0) y0 = y;
+      if (x >= x1) x1 = x + 1;
+      if (y >= y1) y1 = y + 1;
+    }
+  }
+  return x1 > x0 ? { x0, y0, x1, y1 } : null;
+}
+
+/**
+ * Sample the ink inside a box into the fixed grid described above.
+ * The grid is centred on the box horizontally and anchored to the
+ * baseline vertically; ink outside the box (a neighbouring character)
+ * is ignored. A light blur makes the comparison tolerant of stroke
+ * weight and small shifts.
+ *
+ * @param {OcrBitmap} bitmap
+ * @param {OcrBox} box
+ * @param {number} baseline Baseline y in bitmap pixels
+ * @param {number} capHeight Cap height in bitmap pixels
+ * @returns {Float32Array}
+ */
+function ocrGlyphFeatures(bitmap, box, baseline, capHeight) {
+  const cell = (capHeight * (OCR_FRAME_ABOVE + OCR_FRAME_BELOW)) / OCR_GRID_H;
+  const top = baseline - capHeight * OCR_FRAME_ABOVE;
+  const left = (box.x0 + box.x1) / 2 - (cell * OCR_GRID_W) / 2;
+  const step = cell / OCR_SAMPLES;
+  const raw = new Float32Array(OCR_GRID_W * OCR_GRID_H);
+  for (let gy = 0; gy < OCR_GRID_H; gy++) {
+    for (let gx = 0; gx < OCR_GRID_W; gx++) {
+      let ink = 0;
+      for (let sy = 0; sy < OCR_SAMPLES; sy++) {
+        const y = Math.floor(top + gy * cell + (sy + 0.5) * step);
+        if (y < box.y0 || y >= box.y1) continue;
+        for (let sx = 0; sx < OCR_SAMPLES; sx++) {
+          const x = Math.floor(left + gx * cell + (sx + 0.5) * step);
+          if (x < box.x0 || x >= box.x1) continue;
+          ink += bitmap.data[y * bitmap.width + x];
+        }
+      }
+      raw[gy * OCR_GRID_W + gx] = ink / (OCR_SAMPLES * OCR_SAMPLES);
+    }
+  }
+  // Separable [1 2 1] blur
+  const horizontal = new Float32Array(raw.length);
+  for (let gy = 0; gy < OCR_GRID_H; gy++) {
+    for (let gx = 0; gx < OCR_GRID_W; gx++) {
+      const i = gy * OCR_GRID_W + gx;
+      const l = gx > 0 ? raw[i - 1] : 0;
+      const r = gx < OCR_GRID_W - 1 ? raw[i + 1] : 0;
+      horizontal[i] = (l + 2 * raw[i] + r) / 4;
+    }
+  }
+  const features = new Float32Array(raw.length);
+  for (let gy = 0; gy < OCR_GRID_H; gy++) {
+    for (let gx = 0; gx < OCR_GRID_W; gx++) {
+      const i = gy * OCR_GRID_W + gx;
+      const u = gy > 0 ? horizontal[i - OCR_GRID_W] : 0;
+      const d = gy < OCR_GRID_H - 1 ? horizontal[i + OCR_GRID_W] : 0;
+      features[i] = (u + 2 * horizontal[i] + d) / 4;
+    }
+  }
+  return features;
+}
+
+/**
+ * Render one character and return its ink as a bitmap plus box.
+ *
+ * @returns {{bitmap:OcrBitmap, box:OcrBox}|null} null for blank glyphs
+ */
+function ocrRenderGlyph(ctx, char, size, baseline) {
+  const { width, height } = ctx.canvas;
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#000';
+  ctx.fillText(char, size / 2, baseline);
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) data[i] = pixels[i * 4] < 128 ? 1 : 0;
+  const bitmap = { width, height, data };
+  const box = ocrInkBox(bitmap);
+  return box ? { bitmap, box } : null;
+}
+
+/**
+ * Render every character of OCR_CHARSET in every template font and
+ * sample it into a feature grid. Fonts the system lacks fall back to a
+ * default face, so identical templates are dropped.
+ *
+ * @returns {{char:string, features:Float32Array, norm:number, width:number, parts:number}[]}
+ */
+function ocrBuildTemplates() {
+  const size = 64;
+  const baseline = Math.round(size * 1.4);
+  const canvas = ocrCreateCanvas(size * 2, size * 2);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.textBaseline = 'alphabetic';
+  const templates = [];
+  const seen = new Set();
+  OCR_FONTS.forEach((font) => {
+    OCR_WEIGHTS.forEach((weight) => {
+      ctx.font = `${weight} ${size}px ${font}`;
+      const cap = ocrRenderGlyph(ctx, 'l', size, baseline);
+      if (!cap) return;
+      const capHeight = cap.box.y1 - cap.box.y0;
+      for (const char of OCR_CHARSET) {
+        const glyph = ocrRenderGlyph(ctx, char, size, baseline);
+        if (!glyph) continue;
+        const features = ocrGlyphFeatures(glyph.bitmap, glyph.box, baseline, capHeight);
+        // Quantised fingerprint to spot fonts that fell back to the same face
+        let key = char;
+        for (let i = 0; i < features.length; i++) key += String.fromCharCode(48 + Math.round(features[i] * 9));
+        if (seen.has(key)) continue;
+        seen.add(key);
+        let norm = 0;
+        for (let i = 0; i < features.length; i++) norm += features[i] * features[i];
+        templates.push({
+          char,
+          features,
+          norm,
+          width: (glyph.box.x1 - glyph.box.x0) / capHeight,
+          parts: Math.max(1, ocrFindComponents(glyph.bitmap).length),
+        });
+      }
+    });
+  });
+  if (templates.length === 0) throw new Error('Could not render the text templates OCR needs.');
+  return templates;
+}
+
+/**
+ * Find the template closest to a feature grid. Similarity is the Dice
+ * coefficient of the two grids (1 for identical ink, 0 for no overlap)
+ * less penalties for differing widths and numbers of pieces.
+ *
+ * @param {Float32Array} features
+ * @param {number} width Width of the character in cap heights
+ * @param {number} parts Number of ink blobs in the character, or 0 when
+ *   unknown (a piece cut from touching characters)
+ * @param {{char:string, features:Float32Array, norm:number, width:number, parts:number}[]} templates
+ * @returns {{char:string, score:number}}
+ */
+function ocrBestMatch(features, width, parts, templates) {
+  let norm = 0;
+  for (let i = 0; i < features.length; i++) norm += features[i] * features[i];
+  let best = { char: '?', score: 0 };
+  if (norm === 0) return best;
+  templates.forEach((template) => {
+    const other = template.features;
+    let dot = 0;
+    for (let i = 0; i < other.length; i++) dot += features[i] * other[i];
+    let score = (2 * dot) / (norm + template.norm) - OCR_WIDTH_PENALTY * Math.abs(width - template.width);
+    if (parts && parts > 1 !== template.parts > 1) score -= OCR_PARTS_PENALTY;
+    if (score > best.score) best = { char: template.char, score };
+  });
+  return best;
+}
+
+// ---------- Page layout ----------
+
+/**
+ * Convert RGBA pixels to grey, compositing transparency onto white.
+ *
+ * @param {{width:number, height:number, data:Uint8ClampedArray}} image
+ * @returns {Uint8Array}
+ */
+function ocrGrayscale(image) {
+  const { width, height, data } = image;
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const a = data[i * 4 + 3] / 255;
+    const lum = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    gray[i] = Math.round(lum * a + 255 * (1 - a));
+  }
+  return gray;
+}
+
+/**
+ * Binarise a grey image with Bradley's adaptive threshold: a pixel is
+ * ink when it is clearly darker than the mean of its neighbourhood.
+ * Mostly dark images (dark-mode screenshots, slides) are inverted
+ * first so their light text becomes ink.
+ *
+ * @param {Uint8Array} gray
+ * @param {number} width
+ * @param {number} height
+ * @returns {OcrBitmap}
+ */
+function ocrBinarize(gray, width, height) {
+  let total = 0;
+  for (let i = 0; i < gray.length; i++) total += gray[i];
+  if (total / gray.length < 110) {
+    for (let i = 0; i < gray.length; i++) gray[i] = 255 - gray[i];
+  }
+  // Integral image (one extra row and column of zeros)
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += gray[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+    }
+  }
+  const half = Math.max(7, Math.min(50, Math.round(Math.max(width, height) / 48)));
+  const data = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const ya = Math.max(0, y - half);
+    const yb = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const xa = Math.max(0, x - half);
+      const xb = Math.min(width, x + half + 1);
+      const sum =
+        integral[yb * stride + xb] - integral[ya * stride + xb] -
+        integral[yb * stride + xa] + integral[ya * stride + xa];
+      const mean = sum / ((xb - xa) * (yb - ya));
+      data[y * width + x] = gray[y * width + x] < mean * 0.85 ? 1 : 0;
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Find the 8-connected ink blobs of a bitmap. Specks of one or two
+ * pixels and blobs taller than half the image (rules, borders,
+ * pictures) are left out.
+ *
+ * @param {OcrBitmap} bitmap
+ * @returns {OcrBox[]}
+ */
+function ocrFindComponents(bitmap) {
+  const { width, height, data } = bitmap;
+  const visited = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  const components = [];
+  for (let start = 0; start < data.length; start++) {
+    if (!data[start] || visited[start]) continue;
+    let top = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+    let x0 = width;
+    let y0 = height;
+    let x1 = 0;
+    let y1 = 0;
+    let area = 0;
+    while (top > 0) {
+      const p = stack[--top];
+      const px = p % width;
+      const py = (p - px) / width;
+      area++;
+      if (px < x0) x0 = px;
+      if (py < y0) y0 = py;
+      if (px >= x1) x1 = px + 1;
+      if (py >= y1) y1 = py + 1;
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = py + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = px + dx;
+          if (nx < 0 || nx >= width) continue;
+          const n = ny * width + nx;
+          if (data[n] && !visited[n]) {
+            visited[n] = 1;
+            stack[top++] = n;
+          }
+        }
+      }
+    }
+    if (area <= 2 || y1 - y0 > height / 2) continue;
+    components.push({ x0, y0, x1, y1 });
+  }
+  return components;
+}
+
+/**
+ * @param {number[]} values
+ * @param {number} fraction 0.5 for the median
+ * @returns {number}
+ */
+function ocrPercentile(values, fraction) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+/**
+ * Group ink blobs into text lines. Lines are formed from the
+ * letter-sized blobs first; dots, commas and other small marks then
+ * join the line they sit in or next to. Within a line, blobs that
+ * overlap horizontally (the dot and stem of an i, the two dots of a
+ * colon) are merged into one character box.
+ *
+ * Each character also records where its ink starts and ends within
+ * the x-height band (inkX0/inkX1). Gaps measured there are not fooled
+ * by descenders that tuck under the previous letter, like the hook of
+ * a j.
+ *
+ * @param {OcrBox[]} components
+ * @param {OcrBitmap} bitmap
+ * @returns {{box:OcrBox, glyphs:(OcrBox & {parts:number, inkX0:number, inkX1:number})[], baseline:number, capHeight:number}[]}
+ */
+function ocrGroupLines(components, bitmap) {
+  const median = ocrPercentile(components.map((c) => c.y1 - c.y0), 0.5);
+  const body = components.filter((c) => c.y1 - c.y0 >= median * 0.45);
+  const marks = components.filter((c) => c.y1 - c.y0 < median * 0.45);
+  body.sort((a, b) => a.y0 - b.y0);
+  const lines = [];
+  body.forEach((c) => {
+    const h = c.y1 - c.y0;
+    const line = lines.find((l) => {
+      const overlap = Math.min(l.y1, c.y1) - Math.max(l.y0, c.y0);
+      return overlap >= 0.5 * Math.min(h, l.y1 - l.y0);
+    });
+    if (line) {
+      line.members.push(c);
+      line.y0 = Math.min(line.y0, c.y0);
+      line.y1 = Math.max(line.y1, c.y1);
+    } else {
+      lines.push({ y0: c.y0, y1: c.y1, members: [c] });
+    }
+  });
+  marks.forEach((c) => {
+    const centre = (c.y0 + c.y1) / 2;
+    let best = null;
+    let bestDistance = Infinity;
+    lines.forEach((l) => {
+      const h = l.y1 - l.y0;
+      if (centre < l.y0 - h * 0.5 || centre > l.y1 + h * 0.3) return;
+      if (c.x1 < Math.min(...l.members.map((m) => m.x0)) - h * 2) return;
+      const distance = Math.abs(centre - (l.y0 + l.y1) / 2);
+      if (distance < bestDistance) {
+        best = l;
+        bestDistance = distance;
+      }
+    });
+    if (best) best.members.push(c);
+  });
+
+  return lines
+    .map((l) => {
+      l.members.sort((a, b) => a.x0 - b.x0);
+      const glyphs = [];
+      l.members.forEach((c) => {
+        const prev = glyphs[glyphs.length - 1];
+        if (prev) {
+          const overlap = Math.min(prev.x1, c.x1) - Math.max(prev.x0, c.x0);
+          if (overlap >= 0.5 * Math.min(prev.x1 - prev.x0, c.x1 - c.x0)) {
+            prev.x0 = Math.min(prev.x0, c.x0);
+            prev.y0 = Math.min(prev.y0, c.y0);
+            prev.x1 = Math.max(prev.x1, c.x1);
+            prev.y1 = Math.max(prev.y1, c.y1);
+            prev.parts++;
+            return;
+          }
+        }
+        glyphs.push({ ...c, parts: 1 });
+      });
+      // The baseline is where most letters end; the cap height is the
+      // height of the taller letters (capitals and ascenders) that sit
+      // on it.
+      const heights = glyphs.map((g) => g.y1 - g.y0);
+      const letterHeight = ocrPercentile(heights, 0.5);
+      const letters = glyphs.filter((g) => g.y1 - g.y0 >= letterHeight * 0.6);
+      const baseline = ocrPercentile(letters.map((g) => g.y1), 0.5);
+      const onBaseline = letters.filter((g) => Math.abs(g.y1 - baseline) <= letterHeight * 0.15);
+      const capHeight = Math.max(ocrPercentile(onBaseline.map((g) => g.y1 - g.y0), 0.85), 4);
+      const bandTop = Math.round(baseline - capHeight * 0.6);
+      glyphs.forEach((g) => {
+        const band = ocrTrimBox(bitmap, { x0: g.x0, y0: Math.max(g.y0, bandTop), x1: g.x1, y1: Math.min(g.y1, baseline) });
+        g.inkX0 = band ? band.x0 : g.x0;
+        g.inkX1 = band ? band.x1 : g.x1;
+      });
+      return {
+        box: { x0: Math.min(...glyphs.map((g) => g.x0)), y0: l.y0, x1: Math.max(...glyphs.map((g) => g.x1)), y1: l.y1 },
+        glyphs,
+        baseline,
+        capHeight,
+      };
+    })
+    .sort((a, b) => a.baseline - b.baseline);
+}
+
+/**
+ * Shrink a box to the ink it contains.
+ *
+ * @param {OcrBitmap} bitmap
+ * @param {OcrBox} box
+ * @returns {OcrBox|null}
+ */
+function ocrTrimBox(bitmap, box) {
+  let x0 = box.x1;
+  let y0 = box.y1;
+  let x1 = box.x0;
+  let y1 = box.y0;
+  for (let y = box.y0; y < box.y1; y++) {
+    for (let x = box.x0; x < box.x1; x++) {
+      if (!bitmap.data[y * bitmap.width + x]) continue;
+      if (x < x0) x0 = x;
+      if (y < y0) y0 = y;
+      if (x >= x1) x1 = x + 1;
+      if (y >= y1) y1 = y + 1;
+    }
+  }
+  return x1 > x0 ? { x0, y0, x1, y1 } : null;
+}
+
+/**
+ * Recognise one character box. Boxes much wider than a letter, or
+ * that match poorly, are often two or three letters touching (rn, tt,
+ * fi); they are cut at the column with the least ink and the cut is
+ * kept when every part matches better than the whole did.
+ *
+ * @returns {{char:string, score:number}[]}
+ */
+function ocrReadGlyph(bitmap, box, line, templates, depth = 0) {
+  const width = box.x1 - box.x0;
+  const features = ocrGlyphFeatures(bitmap, box, line.baseline, line.capHeight);
+  const whole = ocrBestMatch(features, width / line.capHeight, depth ? 0 : box.parts || 0, templates);
+  if (depth >= 2 || width < line.capHeight * 0.6 || (whole.score >= 0.9 && width < line.capHeight * 1.1)) {
+    return [whole];
+  }
+  let cut = -1;
+  let least = Infinity;
+  for (let x = box.x0 + Math.round(width * 0.25); x < box.x0 + Math.round(width * 0.75); x++) {
+    let ink = 0;
+    for (let y = box.y0; y < box.y1; y++) ink += bitmap.data[y * bitmap.width + x];
+    if (ink < least) {
+      least = ink;
+      cut = x;
+    }
+  }
+  const left = ocrTrimBox(bitmap, { ...box, x1: cut });
+  const right = ocrTrimBox(bitmap, { ...box, x0: cut + 1 });
+  if (!left || !right) return [whole];
+  const parts = [
+    ...ocrReadGlyph(bitmap, left, line, templates, depth + 1),
+    ...ocrReadGlyph(bitmap, right, line, templates, depth + 1),
+  ];
+  return parts.every((p) => p.score > whole.score) ? parts : [whole];
+}
+
+// Lookalike characters, settled by whether the rest of the word is
+// mostly letters or mostly digits.
+const OCR_AS_DIGIT = { O: '0', o: '0', D: '0', l: '1', I: '1', '|': '1' };
+const OCR_AS_LETTER = { 0: 'o', 1: 'l' };
+
+/**
+ * Fix lookalike characters in one word: letters that read as digits in
+ * a number, digits that read as letters between letters of a word, and
+ * l/I by position (a lone "l" is usually "I", an I after a lower-case
+ * letter usually "l").
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+function ocrFixWord(word) {
+  const chars = Array.from(word);
+  const digits = chars.filter((c) => /[0-9]/.test(c)).length;
+  const letters = chars.filter((c) => /\p{L}/u.test(c)).length;
+  if (digits > letters) {
+    return chars.map((c) => OCR_AS_DIGIT[c] || c).join('');
+  }
+  if (letters === 0) return word;
+  // An en dash between two letters is a hyphen read slightly too long
+  if (/\p{L}–\p{L}/u.test(word)) return ocrFixWord(word.replace(/(\p{L})–(?=\p{L})/gu, '$1-'));
+  const upper = chars.filter((c) => /\p{Lu}/u.test(c)).length;
+  return chars
+    .map((c, i) => {
+      let out = c;
+      const next = chars[i + 1] || '';
+      const prev = chars[i - 1] || '';
+      if (OCR_AS_LETTER[c] && /\p{L}/u.test(prev) && /\p{L}/u.test(next)) {
+        out = upper > letters / 2 ? OCR_AS_LETTER[c].toUpperCase() : OCR_AS_LETTER[c];
+        if (c === '1' && upper > letters / 2) out = 'I';
+      }
+      // I and l are often the same shape. English words rarely start
+      // with I before a vowel, or with l before a consonant.
+      if (out === 'I' && (/\p{Ll}/u.test(prev) || (!prev && /[aeiouy]/.test(next)))) out = 'l';
+      if (out === 'l' && !prev && /[b-df-hj-np-tv-xz]/.test(next)) out = 'I';
+      if (out === 'l' && !/\p{L}/u.test(prev) && (!/\p{L}/u.test(next) || /\p{Ll}/u.test(next)) && letters === 1) {
+        out = 'I';
+      }
+      return out;
+    })
+    .join('');
+}
+
+/**
+ * Work out how wide a gap must be to count as a space, in cap heights.
+ * Gaps between letters and gaps between words form two clusters; the
+ * cut between them is found with Otsu's method over every gap on the
+ * page, which copes with both tight proportional fonts and wide
+ * monospace ones.
+ *
+ * @param {{glyphs:OcrBox[], capHeight:number}[]} lines
+ * @returns {number}
+ */
+function ocrSpaceThreshold(lines) {
+  const gaps = [];
+  lines.forEach((line) => {
+    for (let i = 1; i < line.glyphs.length; i++) {
+      gaps.push(Math.max(0, line.glyphs[i].inkX0 - line.glyphs[i - 1].inkX1) / line.capHeight);
+    }
+  });
+  if (gaps.length < 5) return 0.3;
+  gaps.sort((a, b) => a - b);
+  const total = gaps.reduce((sum, g) => sum + g, 0);
+  let best = 0.3;
+  let bestVariance = -1;
+  let below = 0;
+  for (let i = 0; i < gaps.length - 1; i++) {
+    below += gaps[i];
+    if (gaps[i + 1] === gaps[i]) continue;
+    const w0 = (i + 1) / gaps.length;
+    const w1 = 1 - w0;
+    const m0 = below / (i + 1);
+    const m1 = (total - below) / (gaps.length - i - 1);
+    const variance = w0 * w1 * (m0 - m1) * (m0 - m1);
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = (gaps[i] + gaps[i + 1]) / 2;
+    }
+  }
+  return Math.min(0.6, Math.max(0.2, best));
+}
+
+/**
+ * Read one line: recognise each character, insert spaces at gaps wider
+ * than the page's space threshold, and tidy each word.
+ *
+ * @returns {{text:string, scores:number[], doubtful:{start:number, end:number}[]}}
+ */
+function ocrReadLine(bitmap, line, templates, spaceRatio) {
+  const spaceGap = line.capHeight * spaceRatio;
+  const words = [];
+  let word = { text: '', scores: [] };
+  line.glyphs.forEach((glyph, i) => {
+    if (i > 0 && glyph.inkX0 - line.glyphs[i - 1].inkX1 > spaceGap && word.text) {
+      words.push(word);
+      word = { text: '', scores: [] };
+    }
+    ocrReadGlyph(bitmap, glyph, line, templates).forEach((match) => {
+      word.text += match.char;
+      word.scores.push(match.score);
+    });
+  });
+  if (word.text) words.push(word);
+  let text = '';
+  const scores = [];
+  const doubtful = [];
+  words.forEach((w) => {
+    if (text) text += ' ';
+    const fixed = ocrFixWord(w.text.replace(/[’']{2}/g, '"').replace(/,,/g, '„'));
+    if (Math.min(...w.scores) < OCR_DOUBTFUL_SCORE) {
+      doubtful.push({ start: text.length, end: text.length + fixed.length });
+    }
+    text += fixed;
+    scores.push(...w.scores);
+  });
+  return { text, scores, doubtful };
+}
+
+/**
+ * Recognise the text in an image.
+ *
+ * Lines are joined into paragraphs: a gap between lines noticeably
+ * larger than the usual line spacing starts a new paragraph (separated
+ * by a blank line, as paragraph mode expects), and words hyphenated
+ * across a line break are rejoined.
+ *
+ * @param {{width:number, height:number, data:Uint8ClampedArray}} image RGBA pixels
+ * @param {(value:number, stage:string) => void} [onProgress] Called
+ *   with the fraction done
+ * @returns {{text:string, confidence:number, lines:number, doubtful:{start:number, end:number}[]}}
+ *   confidence is the mean match similarity (0–1); doubtful lists the
+ *   character ranges of words with a poor match
+ */
+function ocrRecognize(image, onProgress = () => {}) {
+  onProgress(0, 'Preparing');
+  if (!ocrTemplates) ocrTemplates = ocrBuildTemplates();
+  const bitmap = ocrBinarize(ocrGrayscale(image), image.width, image.height);
+  const lines = ocrGroupLines(ocrFindComponents(bitmap), bitmap);
+  onProgress(0.05, 'Reading');
+  const pitches = [];
+  for (let i = 1; i < lines.length; i++) pitches.push(lines[i].baseline - lines[i - 1].baseline);
+  const pitch = ocrPercentile(pitches, 0.5);
+  const rightEdge = ocrPercentile(lines.map((l) => l.box.x1), 0.9);
+  const spaceRatio = ocrSpaceThreshold(lines);
+  let text = '';
+  const scores = [];
+  const doubtful = [];
+  lines.forEach((line, i) => {
+    const read = ocrReadLine(bitmap, line, ocrTemplates, spaceRatio);
+    onProgress(0.05 + (0.95 * (i + 1)) / lines.length, 'Reading');
+    if (!read.text) return;
+    let offset = text.length;
+    if (text) {
+      const prev = lines[i - 1];
+      const gap = line.baseline - prev.baseline;
+      const shortLast = prev.box.x1 < rightEdge - prev.capHeight * 4 && /[.!?:"”]$/.test(text);
+      if (gap > pitch * 1.5 || shortLast) {
+        text += '\n\n';
+      } else if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(read.text)) {
+        text = text.slice(0, -1);
+      } else {
+        text += ' ';
+      }
+      offset = text.length;
+    }
+    text += read.text;
+    scores.push(...read.scores);
+    read.doubtful.forEach((range) => doubtful.push({ start: range.start + offset, end: range.end + offset }));
+  });
+  const confidence = scores.length ? scores.reduce((sum, s) => sum + s, 0) / scores.length : 0;
+  return { text, confidence, lines: lines.length, doubtful };
+}
+
+// When running as a worker, answer recognition requests.
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = (e) => {
+    const { id, width, height, data } = e.data;
+    try {
+      const result = ocrRecognize({ width, height, data: new Uint8ClampedArray(data) }, (value, stage) => {
+        self.postMessage({ id, type: 'progress', value, stage });
+      });
+      self.postMessage({ id, type: 'done', result });
+    } catch (err) {
+      self.postMessage({ id, type: 'error', message: err.message || 'Text recognition failed.' });
+    }
+  };
+}
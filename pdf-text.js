@@ -0,0 +1,1265 @@
+/*
+ * Offline PDF text extraction for Thought Bank.
+ *
+ * This file is a small, dependency-free PDF reader that runs entirely in
+ * the browser. It is loaded before script.js and exposes a single entry
+ * point, extractPdfText(), which the drop zone calls for dropped PDFs.
+ *
+ * It does not try to be a complete PDF implementation. It reads the
+ * objects in the file (including compressed object streams), walks the
+ * page tree, interprets the text operators of each page's content
+ * stream and maps the glyph codes back to Unicode via the font's
+ * ToUnicode CMap or its simple encoding. The positioned text runs are
+ * then put back into reading order (lines, columns, paragraphs), with
+ * repeated headers, footers and page numbers removed and hyphenated
+ * line breaks rejoined.
+ *
+ * Representation of parsed PDF values:
+ *   numbers, booleans and null map to their JS equivalents
+ *   names are strings with a leading slash, e.g. '/Page'
+ *   strings are { bytes } objects holding a binary (latin1) string
+ *   references are { ref, gen } objects
+ *   arrays are arrays, dictionaries are plain objects keyed without
+ *   the slash, and streams are { streamDict, raw } objects
+ *   content stream operators are { op } objects
+ */
+
+// ---------- Bytes and lexing ----------
+
+// Characters that end a token in PDF syntax.
+const PDF_WHITESPACE = ' \t\r\n\f\0';
+const PDF_DELIMITERS = '()<>[]{}/%';
+
+// Matches the "gen R" tail of an indirect reference after its object
+// number has been read.
+const PDF_REF_TAIL = /\s+(\d+)\s+R(?=[\s/[\]<>()%]|$)/y;
+
+/**
+ * Convert bytes to a binary string (one char per byte). Done in chunks
+ * because String.fromCharCode() cannot take millions of arguments.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function pdfBytesToBinary(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+/**
+ * Convert a binary string back into bytes.
+ *
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function pdfBinaryToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/**
+ * Skip whitespace and % comments.
+ *
+ * @param {string} src
+ * @param {number} pos
+ * @returns {number} Position of the next token
+ */
+function pdfSkipSpace(src, pos) {
+  while (pos < src.length) {
+    const ch = src[pos];
+    if (PDF_WHITESPACE.includes(ch)) {
+      pos++;
+    } else if (ch === '%') {
+      while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+}
+
+/**
+ * Read a literal string starting just after its opening parenthesis.
+ * Handles nested parentheses, escapes and octal codes.
+ *
+ * @param {string} src
+ * @param {number} pos
+ * @returns {[string, number]} Binary string and the position after it
+ */
+function pdfReadLiteralString(src, pos) {
+  let out = '';
+  let depth = 1;
+  while (pos < src.length) {
+    const ch = src[pos++];
+    if (ch === '\\') {
+      const next = src[pos++];
+      if (next === 'n') out += '\n';
+      else if (next === 'r') out += '\r';
+      else if (next === 't') out += '\t';
+      else if (next === 'b') out += '\b';
+      else if (next === 'f') out += '\f';
+      else if (next === '\r') {
+        // Line continuation; swallow an optional following \n
+        if (src[pos] === '\n') pos++;
+      } else if (next === '\n') {
+        // Line continuation
+      } else if (next >= '0' && next <= '7') {
+        let code = next;
+        while (code.length < 3 && src[pos] >= '0' && src[pos] <= '7') code += src[pos++];
+        out += String.fromCharCode(parseInt(code, 8) & 0xff);
+      } else if (next !== undefined) {
+        out += next;
+      }
+    } else if (ch === '(') {
+      depth++;
+      out += ch;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) break;
+      out += ch;
+    } else {
+      out += ch;
+    }
+  }
+  return [out, pos];
+}
+
+/**
+ * Decode the digits of a hex string into a binary string. An odd final
+ * digit is padded with zero as the specification requires.
+ *
+ * @param {string} hex
+ * @returns {string}
+ */
+function pdfHexToBinary(hex) {
+  const digits = hex.replace(/[^0-9a-fA-F]/g, '');
+  let out = '';
+  for (let i = 0; i < digits.length; i += 2) {
+    out += String.fromCharCode(parseInt((digits[i] + (digits[i + 1] || '0')), 16));
+  }
+  return out;
+}
+
+/**
+ * Parse one PDF value (or content stream operator) at the given
+ * position.
+ *
+ * @param {string} src
+ * @param {number} pos
+ * @returns {[*, number]} The value and the position after it. The value
+ *   is undefined at the end of input.
+ */
+function pdfParseValue(src, pos) {
+  pos = pdfSkipSpace(src, pos);
+  if (pos >= src.length) return [undefined, pos];
+  const ch = src[pos];
+  if (ch === '/') {
+    let end = pos + 1;
+    while (end < src.length && !PDF_WHITESPACE.includes(src[end]) && !PDF_DELIMITERS.includes(src[end])) end++;
+    // Names may contain #xx escapes
+    const name = src.slice(pos, end).replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return [name, end];
+  }
+  if (ch === '(') {
+    const [bytes, end] = pdfReadLiteralString(src, pos + 1);
+    return [{ bytes }, end];
+  }
+  if (ch === '<') {
+    if (src[pos + 1] === '<') {
+      const dict = {};
+      pos += 2;
+      for (;;) {
+        pos = pdfSkipSpace(src, pos);
+        if (pos >= src.length) break;
+        if (src[pos] === '>' && src[pos + 1] === '>') {
+          pos += 2;
+          break;
+        }
+        const [key, afterKey] = pdfParseValue(src, pos);
+        if (typeof key !== 'string' || key[0] !== '/') {
+          // Malformed dictionary: skip the stray token
+          pos = afterKey > pos ? afterKey : pos + 1;
+          continue;
+        }
+        const [value, afterValue] = pdfParseValue(src, afterKey);
+        dict[key.slice(1)] = value;
+        pos = afterValue;
+      }
+      return [dict, pos];
+    }
+    const end = src.indexOf('>', pos);
+    const stop = end === -1 ? src.length : end;
+    return [{ bytes: pdfHexToBinary(src.slice(pos + 1, stop)) }, stop + 1];
+  }
+  if (ch === '[') {
+    const arr = [];
+    pos++;
+    for (;;) {
+      pos = pdfSkipSpace(src, pos);
+      if (pos >= src.length) break;
+      if (src[pos] === ']') {
+        pos++;
+        break;
+      }
+      const [value, next] = pdfParseValue(src, pos);
+      if (next <= pos) {
+        pos++;
+        continue;
+      }
+      arr.push(value);
+      pos = next;
+    }
+    return [arr, pos];
+  }
+  if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+    // Stray delimiter; report it as an operator so callers can skip it
+    return [{ op: ch }, pos + 1];
+  }
+  // Number, keyword or operator
+  let end = pos;
+  while (end < src.length && !PDF_WHITESPACE.includes(src[end]) && !PDF_DELIMITERS.includes(src[end])) end++;
+  const token = src.slice(pos, end);
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+    if (/^\d+$/.test(token)) {
+      PDF_REF_TAIL.lastIndex = end;
+      const tail = PDF_REF_TAIL.exec(src);
+      if (tail) return [{ ref: parseInt(token, 10), gen: parseInt(tail[1], 10) }, PDF_REF_TAIL.lastIndex];
+    }
+    return [parseFloat(token), end];
+  }
+  if (token === 'true') return [true, end];
+  if (token === 'false') return [false, end];
+  if (token === 'null') return [null, end];
+  return [{ op: token }, end];
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for dictionaries (not strings, refs, streams
+ *   or operators)
+ */
+function pdfIsDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !('bytes' in value) && !('ref' in value) && !('raw' in value) && !('op' in value);
+}
+
+// ---------- Document structure ----------
+
+/**
+ * Read every indirect object in the file. Rather than trusting the
+ * cross-reference table (often broken in the wild, and compressed in
+ * newer files) the whole file is scanned for "n g obj" headers. Later
+ * definitions win, which matches how incremental updates work.
+ * Objects packed into object streams are unpacked afterwards.
+ *
+ * @param {string} src Whole file as a binary string
+ * @returns {Promise<{objects: Map<number, *>, trailer: Object}>}
+ */
+async function pdfReadDocument(src) {
+  const objects = new Map();
+  const objectStreams = [];
+  let trailer = {};
+  const header = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+  while ((match = header.exec(src))) {
+    const num = parseInt(match[1], 10);
+    let [value, pos] = pdfParseValue(src, header.lastIndex);
+    pos = pdfSkipSpace(src, pos);
+    if (src.startsWith('stream', pos) && pdfIsDict(value)) {
+      let start = pos + 6;
+      if (src[start] === '\r') start++;
+      if (src[start] === '\n') start++;
+      // Prefer a direct /Length when it lands on "endstream"; otherwise
+      // search for the keyword.
+      let end = -1;
+      if (typeof value.Length === 'number') {
+        const after = pdfSkipSpace(src, start + value.Length);
+        if (src.startsWith('endstream', after)) end = start + value.Length;
+      }
+      if (end === -1) {
+        end = src.indexOf('endstream', start);
+        if (end === -1) end = src.length;
+        if (src[end - 1] === '\n') end--;
+        if (src[end - 1] === '\r') end--;
+      }
+      value = { streamDict: value, raw: src.slice(start, end) };
+      header.lastIndex = end;
+      if (value.streamDict.Type === '/ObjStm') objectStreams.push(value);
+      if (value.streamDict.Type === '/XRef') trailer = { ...trailer, ...value.streamDict };
+    } else {
+      header.lastIndex = pos;
+    }
+    objects.set(num, value);
+  }
+  // Classic trailers; the last one describes the newest revision
+  const trailerRe = /trailer\s*<</g;
+  while ((match = trailerRe.exec(src))) {
+    const [dict] = pdfParseValue(src, match.index + 7);
+    if (pdfIsDict(dict)) trailer = { ...trailer, ...dict };
+  }
+  for (const stream of objectStreams) {
+    let data;
+    try {
+      data = await pdfDecodeStream(stream);
+    } catch (err) {
+      continue;
+    }
+    const count = stream.streamDict.N || 0;
+    const first = stream.streamDict.First || 0;
+    let pos = 0;
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      let num;
+      let offset;
+      [num, pos] = pdfParseValue(data, pos);
+      [offset, pos] = pdfParseValue(data, pos);
+      // "n 0" may have been read as part of a bogus reference
+      if (num && typeof num === 'object' && 'ref' in num) {
+        entries.push([num.ref, num.gen]);
+      } else {
+        entries.push([num, offset]);
+      }
+    }
+    entries.forEach(([num, offset]) => {
+      if (typeof num !== 'number' || objects.has(num)) return;
+      const [value] = pdfParseValue(data, first + offset);
+      objects.set(num, value);
+    });
+  }
+  return { objects, trailer };
+}
+
+/**
+ * Follow indirect references until a direct value is reached.
+ *
+ * @param {Map<number, *>} objects
+ * @param {*} value
+ * @returns {*}
+ */
+function pdfResolve(objects, value) {
+  let guard = 0;
+  while (value && typeof value === 'object' && 'ref' in value && guard++ < 32) {
+    value = objects.get(value.ref);
+  }
+  return value;
+}
+
+/**
+ * Inflate zlib data with the browser's DecompressionStream. Some
+ * writers produce streams with bad checksums or missing trailers, so
+ * a failure is retried as raw deflate data without the zlib header,
+ * keeping whatever decompressed before the error.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function pdfInflate(bytes) {
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (err) {
+    const reader = new Blob([bytes.subarray(2)]).stream()
+      .pipeThrough(new DecompressionStream('deflate-raw'))
+      .getReader();
+    const parts = [];
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+      }
+    } catch (rawErr) {
+      if (parts.length === 0) throw rawErr;
+    }
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach((part) => {
+      out.set(part, offset);
+      offset += part.length;
+    });
+    return out;
+  }
+}
+
+/**
+ * Decode ASCII85 data (the part before the ~> end marker).
+ *
+ * @param {string} str
+ * @returns {string} Binary string
+ */
+function pdfDecodeAscii85(str) {
+  const data = str.replace(/\s+/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  let out = '';
+  let group = [];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] === 'z' && group.length === 0) {
+      out += '\0\0\0\0';
+      continue;
+    }
+    group.push(data.charCodeAt(i) - 33);
+    if (group.length === 5) {
+      let value = 0;
+      group.forEach((digit) => {
+        value = value * 85 + digit;
+      });
+      out += String.fromCharCode((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const size = group.length;
+    while (group.length < 5) group.push(84);
+    let value = 0;
+    group.forEach((digit) => {
+      value = value * 85 + digit;
+    });
+    const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    out += String.fromCharCode(...bytes.slice(0, size - 1));
+  }
+  return out;
+}
+
+/**
+ * Apply a stream's filters and return its decoded content as a binary
+ * string. Image-only filters (DCT, JBIG2, CCITT) are not text and
+ * raise an error.
+ *
+ * @param {{streamDict: Object, raw: string}} stream
+ * @returns {Promise<string>}
+ */
+async function pdfDecodeStream(stream) {
+  let filters = stream.streamDict.Filter || [];
+  if (!Array.isArray(filters)) filters = [filters];
+  let data = stream.raw;
+  for (const filter of filters) {
+    if (filter === '/FlateDecode' || filter === '/Fl') {
+      data = pdfBytesToBinary(await pdfInflate(pdfBinaryToBytes(data)));
+    } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+      data = pdfHexToBinary(data.split('>')[0]);
+    } else if (filter === '/ASCII85Decode' || filter === '/A85') {
+      data = pdfDecodeAscii85(data);
+    } else {
+      throw new Error(`Unsupported PDF filter ${filter}`);
+    }
+  }
+  return data;
+}
+
+/**
+ * Collect the page dictionaries in document order, together with the
+ * resources and media box they inherit from their parents. Falls back
+ * to every /Page object in file order if the page tree is unusable.
+ *
+ * @param {Map<number, *>} objects
+ * @param {Object} trailer
+ * @returns {Array<{page: Object, resources: Object, mediaBox: number[]}>}
+ */
+function pdfCollectPages(objects, trailer) {
+  const pages = [];
+  const seen = new Set();
+  function walk(nodeRef, inherited) {
+    const node = pdfResolve(objects, nodeRef);
+    if (!pdfIsDict(node) || seen.has(node)) return;
+    seen.add(node);
+    const resources = pdfResolve(objects, node.Resources) || inherited.resources;
+    const mediaBox = pdfResolve(objects, node.MediaBox) || inherited.mediaBox;
+    const kids = pdfResolve(objects, node.Kids);
+    if (Array.isArray(kids)) {
+      kids.forEach((kid) => walk(kid, { resources, mediaBox }));
+    } else if (node.Type === '/Page' || node.Contents) {
+      pages.push({ page: node, resources: resources || {}, mediaBox: mediaBox || [0, 0, 612, 792] });
+    }
+  }
+  const root = pdfResolve(objects, trailer.Root);
+  if (pdfIsDict(root)) walk(root.Pages, { resources: null, mediaBox: null });
+  if (pages.length === 0) {
+    objects.forEach((value) => {
+      if (pdfIsDict(value) && value.Type === '/Page') {
+        pages.push({ page: value, resources: pdfResolve(objects, value.Resources) || {}, mediaBox: pdfResolve(objects, value.MediaBox) || [0, 0, 612, 792] });
+      }
+    });
+  }
+  return pages;
+}
+
+/**
+ * Decode a PDF text string (as used in the document info dictionary):
+ * UTF-16BE or UTF-8 with a byte order mark, otherwise PDFDocEncoding,
+ * which matches Latin-1 for the characters that matter here.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function pdfTextString(value) {
+  if (!value || typeof value.bytes !== 'string') return '';
+  const bytes = value.bytes;
+  if (bytes.startsWith('\xfe\xff')) {
+    let out = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) {
+      out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    }
+    return out.trim();
+  }
+  if (bytes.startsWith('\xef\xbb\xbf')) {
+    return new TextDecoder('utf-8').decode(pdfBinaryToBytes(bytes.slice(3))).trim();
+  }
+  return bytes.trim();
+}
+
+// ---------- Fonts ----------
+
+// Windows-1252 characters in the 0x80-0x9F range, which Latin-1 leaves
+// as control codes. Most simple fonts use this encoding.
+const PDF_WIN_ANSI_EXTRAS = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ',
+};
+
+// Glyph names commonly found in /Differences arrays. Single-letter
+// names and uniXXXX names are handled in pdfGlyphNameToUnicode().
+const PDF_GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '−',
+  period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[',
+  backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_', grave: '`',
+  braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', bullet: '•',
+  endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+  quotedblbase: '„', ellipsis: '…', dagger: '†', daggerdbl: '‡', fi: 'fi', fl: 'fl',
+  ff: 'ff', ffi: 'ffi', ffl: 'ffl', dotlessi: 'ı', section: '§', paragraph: '¶',
+  copyright: '©', registered: '®', trademark: '™', degree: '°', multiply: '×',
+  divide: '÷', periodcentered: '·', germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ',
+  OE: 'Œ', oslash: 'ø', Oslash: 'Ø', eacute: 'é', egrave: 'è', ecircumflex: 'ê',
+  edieresis: 'ë', aacute: 'á', agrave: 'à', acircumflex: 'â', adieresis: 'ä',
+  aring: 'å', atilde: 'ã', ccedilla: 'ç', iacute: 'í', igrave: 'ì', icircumflex: 'î',
+  idieresis: 'ï', ntilde: 'ñ', oacute: 'ó', ograve: 'ò', ocircumflex: 'ô',
+  odieresis: 'ö', otilde: 'õ', uacute: 'ú', ugrave: 'ù', ucircumflex: 'û',
+  udieresis: 'ü', Eacute: 'É', Adieresis: 'Ä', Odieresis: 'Ö', Udieresis: 'Ü',
+  guillemotleft: '«', guillemotright: '»', exclamdown: '¡', questiondown: '¿',
+};
+
+/**
+ * Map a glyph name from a /Differences array to text.
+ *
+ * @param {string} name Glyph name without the slash
+ * @returns {string|undefined}
+ */
+function pdfGlyphNameToUnicode(name) {
+  if (PDF_GLYPH_NAMES[name]) return PDF_GLYPH_NAMES[name];
+  if (name.length === 1) return name;
+  const uni = name.match(/^uni([0-9A-Fa-f]{4})/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+  // Suffixed variants such as "a.sc" or "one.oldstyle"
+  const base = name.split(/[._]/)[0];
+  if (base !== name && base) return pdfGlyphNameToUnicode(base);
+  return undefined;
+}
+
+/**
+ * Decode a UTF-16BE binary string (used for CMap destinations).
+ *
+ * @param {string} bytes
+ * @returns {string}
+ */
+function pdfUtf16(bytes) {
+  const units = [];
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    units.push((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  }
+  if (bytes.length % 2 === 1) units.push(bytes.charCodeAt(bytes.length - 1));
+  return String.fromCharCode(...units);
+}
+
+/**
+ * Parse a ToUnicode CMap into a code-to-text map and the code width
+ * in bytes.
+ *
+ * @param {string} data Decoded CMap stream
+ * @returns {{map: Map<number, string>, bytes: number}}
+ */
+function pdfParseToUnicode(data) {
+  const map = new Map();
+  let codeBytes = 0;
+  const ranges = data.match(/begincodespacerange([\s\S]*?)endcodespacerange/);
+  if (ranges) {
+    const first = ranges[1].match(/<([0-9a-fA-F]+)>/);
+    if (first) codeBytes = Math.ceil(first[1].length / 2);
+  }
+  const charBlocks = data.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+  charBlocks.forEach((block) => {
+    const re = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let m;
+    while ((m = re.exec(block))) {
+      map.set(parseInt(m[1], 16), pdfUtf16(pdfHexToBinary(m[2])));
+      if (!codeBytes) codeBytes = Math.ceil(m[1].length / 2);
+    }
+  });
+  const rangeBlocks = data.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+  rangeBlocks.forEach((block) => {
+    const body = block.slice('beginbfrange'.length, -'endbfrange'.length);
+    let pos = 0;
+    for (;;) {
+      const [lo, afterLo] = pdfParseValue(body, pos);
+      const [hi, afterHi] = pdfParseValue(body, afterLo);
+      const [dst, afterDst] = pdfParseValue(body, afterHi);
+      if (!lo || !hi || dst === undefined || afterDst <= pos) break;
+      pos = afterDst;
+      const loCode = parseInt(pdfBinaryToHex(lo.bytes), 16);
+      const hiCode = parseInt(pdfBinaryToHex(hi.bytes), 16);
+      if (!codeBytes) codeBytes = lo.bytes.length;
+      // Guard against absurd ranges in broken files
+      if (hiCode - loCode > 0xffff) continue;
+      if (Array.isArray(dst)) {
+        dst.forEach((item, i) => {
+          if (item && typeof item.bytes === 'string') map.set(loCode + i, pdfUtf16(item.bytes));
+        });
+      } else if (dst && typeof dst.bytes === 'string') {
+        const base = pdfUtf16(dst.bytes);
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = loCode; code <= hiCode; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - loCode));
+        }
+      }
+    }
+  });
+  return { map, bytes: codeBytes || 1 };
+}
+
+/**
+ * @param {string} bytes Binary string
+ * @returns {string} Hex digits
+ */
+function pdfBinaryToHex(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i++) out += bytes.charCodeAt(i).toString(16).padStart(2, '0');
+  return out;
+}
+
+/**
+ * Build a decoder for a font resource: how many bytes make up a glyph
+ * code, how each code maps to text, and each glyph's advance width (in
+ * thousandths of the font size).
+ *
+ * @param {Map<number, *>} objects
+ * @param {Object} font Font dictionary
+ * @returns {Promise<{codeBytes: number, toText: function(number): string, width: function(number): number}>}
+ */
+async function pdfLoadFont(objects, font) {
+  const composite = font.Subtype === '/Type0';
+  let toUnicode = null;
+  const cmapStream = pdfResolve(objects, font.ToUnicode);
+  if (cmapStream && cmapStream.raw !== undefined) {
+    try {
+      toUnicode = pdfParseToUnicode(await pdfDecodeStream(cmapStream));
+    } catch (err) {
+      toUnicode = null;
+    }
+  }
+  // Simple font encoding: WinAnsi/Latin-1 base plus /Differences
+  const differences = {};
+  const encoding = pdfResolve(objects, font.Encoding);
+  if (pdfIsDict(encoding) && Array.isArray(encoding.Differences)) {
+    let code = 0;
+    encoding.Differences.forEach((item) => {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (typeof item === 'string') {
+        const text = pdfGlyphNameToUnicode(item.slice(1));
+        if (text !== undefined) differences[code] = text;
+        code++;
+      }
+    });
+  }
+  // Widths
+  let width = () => 500;
+  if (composite) {
+    const descendants = pdfResolve(objects, font.DescendantFonts);
+    const cidFont = pdfResolve(objects, Array.isArray(descendants) ? descendants[0] : null) || {};
+    const defaultWidth = typeof cidFont.DW === 'number' ? cidFont.DW : 1000;
+    const widths = new Map();
+    const w = pdfResolve(objects, cidFont.W);
+    if (Array.isArray(w)) {
+      for (let i = 0; i < w.length;) {
+        const first = w[i];
+        const next = pdfResolve(objects, w[i + 1]);
+        if (Array.isArray(next)) {
+          next.forEach((value, j) => widths.set(first + j, value));
+          i += 2;
+        } else {
+          for (let code = first; code <= next && code - first < 0xffff; code++) widths.set(code, w[i + 2]);
+          i += 3;
+        }
+      }
+    }
+    width = (code) => (widths.has(code) ? widths.get(code) : defaultWidth);
+  } else {
+    const firstChar = font.FirstChar || 0;
+    const widths = pdfResolve(objects, font.Widths);
+    if (Array.isArray(widths)) {
+      width = (code) => {
+        const value = pdfResolve(objects, widths[code - firstChar]);
+        return typeof value === 'number' && value > 0 ? value : 500;
+      };
+    }
+  }
+  const codeBytes = composite ? (toUnicode ? toUnicode.bytes : 2) : 1;
+  function toText(code) {
+    if (toUnicode && toUnicode.map.has(code)) return toUnicode.map.get(code);
+    if (composite) return '';
+    if (differences[code] !== undefined) return differences[code];
+    if (PDF_WIN_ANSI_EXTRAS[code]) return PDF_WIN_ANSI_EXTRAS[code];
+    if (code < 32) return '';
+    return String.fromCharCode(code);
+  }
+  return { codeBytes, toText, width };
+}
+
+// ---------- Content streams ----------
+
+/**
+ * Multiply two 2D affine matrices [a b c d e f].
+ *
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]} m1 × m2
+ */
+function pdfMultiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5],
+  ];
+}
+
+/**
+ * Interpret a content stream and collect positioned text runs. Only
+ * the operators that affect text placement are followed; graphics are
+ * ignored. Form XObjects are entered so text drawn inside them is
+ * found too.
+ *
+ * @param {Map<number, *>} objects
+ * @param {string} content Decoded content stream
+ * @param {Object} resources Resource dictionary
+ * @param {number[]} baseMatrix Matrix in effect when the stream starts
+ * @param {Map<Object, Object>} fontCache Loaded fonts by dictionary
+ * @param {number} depth Form nesting depth
+ * @returns {Promise<Array<{str: string, x: number, y: number, size: number, width: number}>>}
+ */
+async function pdfExtractRuns(objects, content, resources, baseMatrix, fontCache, depth) {
+  const runs = [];
+  const fonts = pdfResolve(objects, resources.Font) || {};
+  const xobjects = pdfResolve(objects, resources.XObject) || {};
+  let state = {
+    ctm: baseMatrix,
+    font: null,
+    fontSize: 0,
+    charSpacing: 0,
+    wordSpacing: 0,
+    scale: 1,
+    leading: 0,
+  };
+  const stack = [];
+  let tm = [1, 0, 0, 1, 0, 0];
+  let tlm = [1, 0, 0, 1, 0, 0];
+  let operands = [];
+  let pos = 0;
+
+  // Draw a string: decode it, advance the text matrix and record a run
+  function show(bytes) {
+    const font = state.font;
+    if (!font) return;
+    const trm = pdfMultiply(tm, state.ctm);
+    const size = state.fontSize * Math.hypot(trm[2], trm[3]);
+    let str = '';
+    let advance = 0;
+    for (let i = 0; i + font.codeBytes <= bytes.length; i += font.codeBytes) {
+      let code = 0;
+      for (let b = 0; b < font.codeBytes; b++) code = (code << 8) | bytes.charCodeAt(i + b);
+      str += font.toText(code);
+      let glyphAdvance = (font.width(code) / 1000) * state.fontSize + state.charSpacing;
+      if (font.codeBytes === 1 && code === 32) glyphAdvance += state.wordSpacing;
+      advance += glyphAdvance * state.scale;
+    }
+    if (str) runs.push({ str, x: trm[4], y: trm[5], size, width: advance * Math.hypot(trm[0], trm[1]) });
+    tm = pdfMultiply([1, 0, 0, 1, advance, 0], tm);
+  }
+
+  function nextLine() {
+    tlm = pdfMultiply([1, 0, 0, 1, 0, -state.leading], tlm);
+    tm = tlm.slice();
+  }
+
+  for (;;) {
+    const [token, next] = pdfParseValue(content, pos);
+    if (token === undefined) break;
+    pos = next;
+    if (!token || typeof token !== 'object' || !('op' in token)) {
+      operands.push(token);
+      continue;
+    }
+    const op = token.op;
+    const args = operands;
+    operands = [];
+    switch (op) {
+      case 'q':
+        stack.push({ ...state });
+        break;
+      case 'Q':
+        if (stack.length) state = stack.pop();
+        break;
+      case 'cm':
+        if (args.length >= 6) state.ctm = pdfMultiply(args.slice(-6), state.ctm);
+        break;
+      case 'BT':
+        tm = [1, 0, 0, 1, 0, 0];
+        tlm = [1, 0, 0, 1, 0, 0];
+        break;
+      case 'Tf': {
+        const fontRef = fonts[String(args[0]).slice(1)];
+        const fontDict = pdfResolve(objects, fontRef);
+        if (pdfIsDict(fontDict)) {
+          if (!fontCache.has(fontDict)) fontCache.set(fontDict, await pdfLoadFont(objects, fontDict));
+          state.font = fontCache.get(fontDict);
+        }
+        state.fontSize = args[1] || 0;
+        break;
+      }
+      case 'Tc':
+        state.charSpacing = args[0] || 0;
+        break;
+      case 'Tw':
+        state.wordSpacing = args[0] || 0;
+        break;
+      case 'Tz':
+        state.scale = (args[0] || 100) / 100;
+        break;
+      case 'TL':
+        state.leading = args[0] || 0;
+        break;
+      case 'Td':
+        tlm = pdfMultiply([1, 0, 0, 1, args[0] || 0, args[1] || 0], tlm);
+        tm = tlm.slice();
+        break;
+      case 'TD':
+        state.leading = -(args[1] || 0);
+        tlm = pdfMultiply([1, 0, 0, 1, args[0] || 0, args[1] || 0], tlm);
+        tm = tlm.slice();
+        break;
+      case 'Tm':
+        if (args.length >= 6) {
+          tlm = args.slice(-6);
+          tm = tlm.slice();
+        }
+        break;
+      case 'T*':
+        nextLine();
+        break;
+      case 'Tj':
+        if (args[0] && args[0].bytes !== undefined) show(args[0].bytes);
+        break;
+      case "'":
+        nextLine();
+        if (args[0] && args[0].bytes !== undefined) show(args[0].bytes);
+        break;
+      case '"':
+        state.wordSpacing = args[0] || 0;
+        state.charSpacing = args[1] || 0;
+        nextLine();
+        if (args[2] && args[2].bytes !== undefined) show(args[2].bytes);
+        break;
+      case 'TJ': {
+        const items = Array.isArray(args[0]) ? args[0] : [];
+        items.forEach((item) => {
+          if (typeof item === 'number') {
+            const shift = (-item / 1000) * state.fontSize * state.scale;
+            // A large negative kern is how many writers draw a space
+            if (item < -200 && runs.length) runs.push({ ...runs[runs.length - 1], str: ' ', width: 0 });
+            tm = pdfMultiply([1, 0, 0, 1, shift, 0], tm);
+          } else if (item && item.bytes !== undefined) {
+            show(item.bytes);
+          }
+        });
+        break;
+      }
+      case 'BI': {
+        // Inline image: skip its binary data
+        const end = content.indexOf('EI', pos);
+        pos = end === -1 ? content.length : end + 2;
+        break;
+      }
+      case 'Do': {
+        const xobject = pdfResolve(objects, xobjects[String(args[0]).slice(1)]);
+        if (depth < 8 && xobject && xobject.raw !== undefined && xobject.streamDict.Subtype === '/Form') {
+          let data;
+          try {
+            data = await pdfDecodeStream(xobject);
+          } catch (err) {
+            break;
+          }
+          const matrix = Array.isArray(xobject.streamDict.Matrix) ? xobject.streamDict.Matrix : [1, 0, 0, 1, 0, 0];
+          const formResources = pdfResolve(objects, xobject.streamDict.Resources) || resources;
+          const inner = await pdfExtractRuns(objects, data, formResources, pdfMultiply(matrix, state.ctm), fontCache, depth + 1);
+          runs.push(...inner);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return runs;
+}
+
+// ---------- Layout ----------
+
+/**
+ * Group a page's text runs into lines. Runs whose baselines are within
+ * half a font size of each other belong to the same line; within a
+ * line runs are ordered left to right.
+ *
+ * @param {Array<Object>} runs
+ * @returns {Array<{y: number, size: number, runs: Array<Object>}>}
+ */
+function pdfGroupLines(runs) {
+  const sorted = runs.slice().sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  sorted.forEach((run) => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - run.y) < Math.max(1, Math.min(line.size, run.size) * 0.5)) {
+      line.runs.push(run);
+      line.size = Math.max(line.size, run.size);
+    } else {
+      lines.push({ y: run.y, size: run.size, runs: [run] });
+    }
+  });
+  lines.forEach((line) => line.runs.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+/**
+ * Split a line into segments at wide horizontal gaps (column gutters)
+ * and join each segment's runs into text, inserting spaces where the
+ * gap between runs is wider than a thin space.
+ *
+ * @param {{y: number, size: number, runs: Array<Object>}} line
+ * @returns {Array<{text: string, x0: number, x1: number, y: number, size: number}>}
+ */
+function pdfLineSegments(line) {
+  const segments = [];
+  let current = null;
+  line.runs.forEach((run) => {
+    const gap = current ? run.x - current.x1 : 0;
+    if (!current || gap > line.size * 1.5) {
+      current = { text: '', x0: run.x, x1: run.x, y: line.y, size: run.size };
+      segments.push(current);
+    } else if (gap > run.size * 0.15 && !/\s$/.test(current.text) && !/^\s/.test(run.str)) {
+      current.text += ' ';
+    }
+    current.text += run.str;
+    current.x1 = Math.max(current.x1, run.x + run.width);
+    current.size = Math.max(current.size, run.size);
+  });
+  segments.forEach((segment) => {
+    // Collapse whitespace and table-of-contents dot leaders
+    segment.text = segment.text.replace(/(?:\s?[.:·]){4,}\s*/g, ' … ').replace(/\s+/g, ' ').trim();
+  });
+  return segments.filter((segment) => segment.text);
+}
+
+/**
+ * Normalise a header/footer candidate so that running heads with page
+ * numbers ("Chapter 2 · 14", "Chapter 2 · 15") compare equal.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function pdfRepeatKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+// A line consisting only of a page number: "12", "- 12 -", "Page 3",
+// "3 of 10", "iv". See pdfIsPageNumber() for which numerals count.
+const PDF_PAGE_NUMBER_REGEX = /^[-–—\s]*(page\s*)?(\d{1,4}|[ivxlcdm]{1,7})(\s*(of|\/)\s*\d{1,4})?[-–—\s]*$/i;
+// A well-formed roman numeral, in lower case
+const PDF_ROMAN_NUMERAL_REGEX = /^(?=.)m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/;
+
+/**
+ * Whether a line is only a page number. Roman numerals must be all one
+ * case and well formed, so words such as "Mild" or "civic" are kept.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function pdfIsPageNumber(text) {
+  const match = PDF_PAGE_NUMBER_REGEX.exec(text);
+  if (!match) return false;
+  const number = match[2];
+  if (/^\d/.test(number)) return true;
+  const lower = number.toLowerCase();
+  return (number === lower || number === number.toUpperCase()) && PDF_ROMAN_NUMERAL_REGEX.test(lower);
+}
+
+/**
+ * Remove running headers, footers and page numbers. The top and bottom
+ * two lines of each page are candidates; a candidate is dropped when
+ * it is a bare page number or when the same text (ignoring digits)
+ * appears at the edge of at least half of the pages.
+ *
+ * @param {Array<Array<Object>>} pageLines Lines per page, top to bottom
+ * @returns {Array<Array<Object>>}
+ */
+function pdfRemoveRepeatedLines(pageLines) {
+  const edge = (lines) => {
+    const picks = new Set();
+    lines.slice(0, 2).forEach((line) => picks.add(line));
+    lines.slice(-2).forEach((line) => picks.add(line));
+    return picks;
+  };
+  const lineText = (line) => line.runs.map((run) => run.str).join('').replace(/\s+/g, ' ').trim();
+  const counts = new Map();
+  pageLines.forEach((lines) => {
+    const keys = new Set();
+    edge(lines).forEach((line) => keys.add(pdfRepeatKey(lineText(line))));
+    keys.forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  const threshold = Math.max(2, Math.ceil(pageLines.length * 0.5));
+  return pageLines.map((lines) => {
+    const candidates = edge(lines);
+    return lines.filter((line) => {
+      if (!candidates.has(line)) return true;
+      const text = lineText(line);
+      if (!text || pdfIsPageNumber(text)) return false;
+      return (counts.get(pdfRepeatKey(text)) || 0) < threshold;
+    });
+  });
+}
+
+/**
+ * Put a page's segments into reading order. When the page has a
+ * two-column layout (enough segments entirely on each side of the
+ * centre line), segments are read in bands: everything in the left
+ * column, then the right column, until a full-width segment (title,
+ * figure caption, footnote) closes the band.
+ *
+ * @param {Array<Object>} lines Lines of one page, top to bottom
+ * @param {number} pageWidth
+ * @param {number} pageLeft Left edge of the media box
+ * @returns {Array<Object>} Segments in reading order
+ */
+function pdfReadingOrder(lines, pageWidth, pageLeft) {
+  const segments = [];
+  lines.forEach((line) => segments.push(...pdfLineSegments(line)));
+  const mid = pageLeft + pageWidth / 2;
+  const side = (segment) => {
+    if (segment.x1 <= mid + pageWidth * 0.02) return 'left';
+    if (segment.x0 >= mid - pageWidth * 0.02) return 'right';
+    return 'span';
+  };
+  const left = segments.filter((segment) => side(segment) === 'left').length;
+  const right = segments.filter((segment) => side(segment) === 'right').length;
+  if (left < 3 || right < 3) {
+    // Single column: keep whole lines together
+    return lines.map((line) => {
+      const parts = pdfLineSegments(line);
+      if (parts.length === 0) return null;
+      return {
+        text: parts.map((part) => part.text).join(' '),
+        x0: parts[0].x0,
+        x1: parts[parts.length - 1].x1,
+        y: line.y,
+        size: line.size,
+      };
+    }).filter(Boolean);
+  }
+  const ordered = [];
+  let leftBand = [];
+  let rightBand = [];
+  const flush = () => {
+    ordered.push(...leftBand, ...rightBand);
+    leftBand = [];
+    rightBand = [];
+  };
+  segments.forEach((segment) => {
+    const where = side(segment);
+    if (where === 'left') leftBand.push(segment);
+    else if (where === 'right') rightBand.push(segment);
+    else {
+      flush();
+      ordered.push(segment);
+    }
+  });
+  flush();
+  return ordered;
+}
+
+// Bullet characters that start a list item in PDF output.
+const PDF_BULLET_REGEX = /^[•◦▪‣●○■□–-]\s+/;
+
+/**
+ * Join two lines of the same paragraph, rejoining words that were
+ * hyphenated across the line break ("extrac-" + "tion").
+ *
+ * @param {string} text Paragraph so far
+ * @param {string} next Next line
+ * @returns {string}
+ */
+function pdfJoinLine(text, next) {
+  if (/­$/.test(text)) return text.slice(0, -1) + next;
+  if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(next)) return text.slice(0, -1) + next;
+  return `${text} ${next}`;
+}
+
+/**
+ * Build paragraphs from segments in reading order. A new paragraph
+ * starts after a vertical gap clearly larger than the usual line
+ * spacing, at a change of font size, or after a short line that ends a
+ * sentence, and each bulleted line starts a Markdown list item. Lines
+ * set noticeably larger than the body text become Markdown headings so
+ * the structure-aware chunker can use them.
+ *
+ * @param {Array<Object>} segments All pages' segments in reading order
+ * @returns {string}
+ */
+function pdfBuildParagraphs(segments) {
+  if (segments.length === 0) return '';
+  const median = (values) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+  };
+  const bodySize = median(segments.map((segment) => segment.size));
+  const gaps = [];
+  const widths = [];
+  for (let i = 1; i < segments.length; i++) {
+    const gap = segments[i - 1].y - segments[i].y;
+    if (gap > 0 && gap < bodySize * 3) gaps.push(gap);
+  }
+  segments.forEach((segment) => widths.push(segment.x1 - segment.x0));
+  const lineGap = median(gaps) || bodySize * 1.2;
+  const fullWidth = median(widths.filter((width) => width > 0)) || 1;
+  const paragraphs = [];
+  let current = '';
+  let previous = null;
+  // Left edge of the bullet of the list item being built; wrapped
+  // lines of the item are indented past it, text after the list is not
+  let bulletX = null;
+  const pushCurrent = () => {
+    if (current.trim()) paragraphs.push(current.trim());
+    current = '';
+  };
+  segments.forEach((segment) => {
+    const heading = segment.size > bodySize * 1.15 && segment.text.length < 120;
+    if (heading) {
+      pushCurrent();
+      // Consecutive heading lines form a single heading
+      const last = paragraphs[paragraphs.length - 1];
+      if (previous && previous.heading && last && last.startsWith('## ') && Math.abs(previous.size - segment.size) < 0.5) {
+        paragraphs[paragraphs.length - 1] = `${last} ${segment.text}`;
+      } else {
+        paragraphs.push(`## ${segment.text}`);
+      }
+      previous = { ...segment, heading: true };
+      return;
+    }
+    const bullet = PDF_BULLET_REGEX.test(segment.text);
+    let breakBefore = !previous || previous.heading || bullet;
+    if (previous && !previous.heading) {
+      const gap = previous.y - segment.y;
+      const shortLine = previous.x1 - previous.x0 < fullWidth * 0.75 && /[.!?:"”)]$/.test(previous.text);
+      if (gap > lineGap * 1.5) breakBefore = true;
+      else if (Math.abs(segment.size - previous.size) > bodySize * 0.15) breakBefore = true;
+      else if (shortLine) breakBefore = true;
+      else if (bulletX !== null && !bullet && segment.x0 <= bulletX + 1) breakBefore = true;
+      // Moving up to the next column or page continues the paragraph
+      // unless the previous line finished a sentence.
+      if (gap < 0) breakBefore = bullet || (/[.!?:"”)]$/.test(previous.text) && shortLine);
+    }
+    if (breakBefore) {
+      pushCurrent();
+      current = bullet ? segment.text.replace(PDF_BULLET_REGEX, '- ') : segment.text;
+      bulletX = bullet ? segment.x0 : null;
+    } else {
+      current = pdfJoinLine(current, segment.text);
+    }
+    previous = segment;
+  });
+  pushCurrent();
+  return paragraphs.join('\n\n');
+}
+
+// ---------- Entry point ----------
+
+/**
+ * Extract readable text and metadata from a PDF file.
+ *
+ * The text comes back in reading order with one blank line between
+ * paragraphs (what paragraph mode expects), larger headings marked
+ * with "##", and running headers, footers and page numbers removed.
+ * The title and author are read from the document information
+ * dictionary when present.
+ *
+ * Throws for encrypted PDFs and for PDFs that contain no text layer
+ * (scanned pages).
+ *
+ * @param {ArrayBuffer} buffer Contents of the PDF file
+ * @returns {Promise<{text: string, title: string, author: string, pages: number}>}
+ */
+async function extractPdfText(buffer) {
+  const src = pdfBytesToBinary(new Uint8Array(buffer));
+  if (!src.startsWith('%PDF') && src.indexOf('%PDF') === -1) {
+    throw new Error('This file is not a PDF.');
+  }
+  const { objects, trailer } = await pdfReadDocument(src);
+  if (trailer.Encrypt) {
+    throw new Error('This PDF is encrypted. Remove the password protection and try again.');
+  }
+  const pages = pdfCollectPages(objects, trailer);
+  const fontCache = new Map();
+  const pageLines = [];
+  const boxes = [];
+  for (const { page, resources, mediaBox } of pages) {
+    let contents = pdfResolve(objects, page.Contents);
+    if (!Array.isArray(contents)) contents = contents ? [contents] : [];
+    let data = '';
+    for (const part of contents) {
+      const stream = pdfResolve(objects, part);
+      if (!stream || stream.raw === undefined) continue;
+      try {
+        data += `${await pdfDecodeStream(stream)}\n`;
+      } catch (err) {
+        // Skip undecodable parts; the rest of the page may still work
+      }
+    }
+    const runs = await pdfExtractRuns(objects, data, resources, [1, 0, 0, 1, 0, 0], fontCache, 0);
+    pageLines.push(pdfGroupLines(runs));
+    const box = mediaBox.map((value) => pdfResolve(objects, value));
+    boxes.push({ left: Math.min(box[0], box[2]), width: Math.abs(box[2] - box[0]) || 612 });
+  }
+  const cleaned = pdfRemoveRepeatedLines(pageLines);
+  const segments = [];
+  cleaned.forEach((lines, i) => {
+    segments.push(...pdfReadingOrder(lines, boxes[i].width, boxes[i].left));
+  });
+  const text = pdfBuildParagraphs(segments);
+  if (!text.trim()) {
+    throw new Error('No text found in this PDF. It may be a scanned document.');
+  }
+  const info = pdfResolve(objects, trailer.Info) || {};
+  return {
+    text,
+    title: pdfTextString(pdfResolve(objects, info.Title)),
+    author: pdfTextString(pdfResolve(objects, info.Author)),
+    pages: pages.length,
+  };
+}
@@ -0,0 +1,464 @@
+// Thought Bank sync server.
+//
+// An optional, self-hosted server that lets several browsers share one
+// library. It has no dependencies beyond Node itself:
+//
+//   node server/server.js
+//
+// and then, in Thought Bank, Sync Server in the menu, with the server's
+// address (http://localhost:8787 by default). It also serves the app
+// itself from the folder above, so opening that address works too.
+//
+// Settings, all optional, come from the environment:
+//   PORT               Port to listen on (8787)
+//   HOST               Address to listen on (127.0.0.1; 0.0.0.0 to let
+//                      other machines in)
+//   THOUGHTBANK_DB     The database file (server/thoughtbank-db.json)
+//   THOUGHTBANK_TOKEN  Access token clients must send; without one
+//                      anyone who can reach the server by the name
+//                      localhost or HOST can use it
+//   THOUGHTBANK_ORIGIN Origin of a page served elsewhere that may call
+//                      the API (none). Only honoured together with
+//                      THOUGHTBANK_TOKEN.
+//
+// By default the API only answers pages served by this server: browsers
+// get no CORS headers, and a request that says it comes from another
+// origin is refused, so other websites open in the same browser can't
+// reach the library through localhost. That alone does not stop a
+// website whose name has been pointed at this machine (DNS rebinding),
+// as its pages then share the server's origin. So without an access
+// token the API also refuses requests addressed to any name other than
+// localhost, 127.0.0.1, [::1] or HOST.
+//
+// The library is stored as records, each one note, folder, article, the
+// liked list or the folder order, in a single JSON file that is
+// rewritten (to a temporary file, then renamed over it) on every
+// change. Every change gets the next number of a counter, which is the
+// record's revision. The counter doubles as the change token: a client
+// asks for the changes since the token it last got and receives every
+// record written after it, deleted ones included.
+//
+// A client changing a record says which revision it changed with
+// If-Match (or If-None-Match: * for a new one). If the record has been
+// changed since, the change is refused with 412 and the record as it is
+// now, and the client resolves the conflict.
+//
+// API (JSON in and out):
+//   GET    /api/changes?since=<token>  {token, changes: [{kind, id, rev, value} | {kind, id, rev, deleted: true}]}
+//                                      410 if the token is from another database
+//   GET    /api/<kind>                 {token, items: {id: {rev, value}}} for notes, folders and articles
+//   GET    /api/<kind>/<id>            {rev, value}
+//   PUT    /api/<kind>/<id>            body: the value → {rev, token}
+//   DELETE /api/<kind>/<id>            → {rev, token}
+//   GET    /api/liked, /api/folder-order         {rev, value}
+//   PUT    /api/liked, /api/folder-order         body: the list → {rev, token}
+// Folder ids are folder names, URL-encoded.
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DB_FILE = process.env.THOUGHTBANK_DB || path.join(__dirname, 'thoughtbank-db.json');
+const ACCESS_TOKEN = process.env.THOUGHTBANK_TOKEN || '';
+const ALLOWED_ORIGIN = process.env.THOUGHTBANK_ORIGIN || '';
+// The app's files, served to browsers
+const APP_DIR = path.join(__dirname, '..');
+// Largest request body accepted; articles can be whole books
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// Record kinds, and whether each is a collection of records by id or a
+// single record
+const KINDS = {
+  notes: 'collection',
+  folders: 'collection',
+  articles: 'collection',
+  liked: 'single',
+  'folder-order': 'single',
+};
+
+// Files of the app served outside /api, by extension
+const APP_FILE_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
+};
+
+/**
+ * An HTTP error, answered with its status and message.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   * @param {Object} [body] Sent instead of {error: message}
+   */
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body || { error: message };
+  }
+}
+
+/**
+ * @typedef {Object} StoredRecord
+ * @property {number} rev The change that last wrote it
+ * @property {*} [value]
+ * @property {boolean} [deleted]
+ */
+
+/**
+ * @typedef {Object} Database
+ * @property {number} version Format of this file
+ * @property {string} id Tells tokens from another database apart
+ * @property {number} seq The last change made
+ * @property {Object<string, StoredRecord>} records By `<kind>/<id>`
+ *   (just `<kind>` for single records)
+ */
+
+/**
+ * Load the database file, or start an empty one.
+ *
+ * @returns {Database}
+ */
+function loadDatabase() {
+  let text;
+  try {
+    text = fs.readFileSync(DB_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { version: 1, id: crypto.randomUUID(), seq: 0, records: {} };
+    throw err;
+  }
+  const db = JSON.parse(text);
+  if (db.version !== 1) throw new Error(`${DB_FILE} was written by a newer version of this server`);
+  return db;
+}
+
+/**
+ * Write the database file. It is written to a temporary file first and
+ * renamed over the old one, so a crash never leaves half a file.
+ *
+ * @param {Database} db
+ */
+function saveDatabase(db) {
+  const temp = `${DB_FILE}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(db));
+  fs.renameSync(temp, DB_FILE);
+}
+
+const db = loadDatabase();
+
+/**
+ * @param {Database} database
+ * @returns {string} The change token for the database as it is now
+ */
+function currentToken(database) {
+  return `${database.id}.${database.seq}`;
+}
+
+/**
+ * Check a value before it is stored.
+ *
+ * @param {string} kind
+ * @param {*} value
+ */
+function validateValue(kind, value) {
+  const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isList = Array.isArray(value) && value.every((item) => typeof item === 'string');
+  if (kind === 'notes' && !(isObject && typeof value.text === 'string')) {
+    throw new HttpError(400, 'a note must be an object with text');
+  }
+  if (kind === 'articles' && !(isObject && typeof value.text === 'string')) {
+    throw new HttpError(400, 'an article must be an object with text');
+  }
+  if ((kind === 'folders' || kind === 'liked' || kind === 'folder-order') && !isList) {
+    throw new HttpError(400, `${kind === 'folders' ? 'a folder' : kind} must be a list of ids`);
+  }
+}
+
+/**
+ * Check the revision a client says it is changing against the record.
+ * Fails with 412 and the record as it is now if they differ.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {StoredRecord|undefined} record
+ */
+function checkPrecondition(req, record) {
+  const exists = Boolean(record && !record.deleted);
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  let ok = true;
+  if (ifNoneMatch === '*') ok = !exists;
+  else if (ifMatch) ok = exists && ifMatch.replace(/"/g, '') === String(record.rev);
+  if (!ok) {
+    const current = !record ? { rev: 0, deleted: true } : record.deleted ? { rev: record.rev, deleted: true } : { rev: record.rev, value: record.value };
+    throw new HttpError(412, 'the record was changed by someone else', { error: 'conflict', current });
+  }
+}
+
+/**
+ * Write or delete a record as the next change and save the database.
+ *
+ * @param {string} key
+ * @param {*} [value] Left out to delete the record
+ * @returns {{rev:number, token:string}}
+ */
+function writeRecord(key, value) {
+  db.seq += 1;
+  db.records[key] = value === undefined ? { rev: db.seq, deleted: true } : { rev: db.seq, value };
+  saveDatabase(db);
+  return { rev: db.seq, token: currentToken(db) };
+}
+
+/**
+ * @param {string} since A change token, or '' for everything
+ * @returns {{token:string, changes:Array<Object>}}
+ */
+function listChanges(since) {
+  let after = 0;
+  if (since) {
+    const [id, seq] = since.split('.');
+    after = Number(seq);
+    if (id !== db.id || !Number.isInteger(after) || after < 0 || after > db.seq) {
+      throw new HttpError(410, 'this change token is from another database; sync again from the start');
+    }
+  }
+  const changes = Object.entries(db.records)
+    .filter(([, record]) => record.rev > after && !(after === 0 && record.deleted))
+    .sort(([, a], [, b]) => a.rev - b.rev)
+    .map(([key, record]) => {
+      const [kind, ...rest] = key.split('/');
+      const change = { kind, id: rest.join('/'), rev: record.rev };
+      if (record.deleted) change.deleted = true;
+      else change.value = record.value;
+      return change;
+    });
+  return { token: currentToken(db), changes };
+}
+
+/**
+ * Read a JSON request body.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Past the limit the rest is read and thrown away, so the client
+      // has finished sending and gets the 413
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'the request is too large'));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(new HttpError(400, 'the request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ * @param {Object<string, string>} [headers]
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {boolean} Whether the request carries the access token, or
+ *   none is needed
+ */
+function isAuthorized(req) {
+  if (!ACCESS_TOKEN) return true;
+  const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(ACCESS_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * @param {string} text Part of a request path
+ * @returns {string} It with %-escapes decoded
+ */
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    throw new HttpError(400, 'the address has a malformed %-escape');
+  }
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {boolean} Whether a browser sent the request from a page of
+ *   another origin than this server
+ */
+function isCrossOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return false;
+  return origin !== `http://${req.headers.host}` && origin !== `https://${req.headers.host}`;
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {boolean} Whether the request is addressed (by its Host
+ *   header) to this machine's loopback names or to HOST
+ */
+function isLocalHost(req) {
+  const match = /^(\[[^\]]*\]|[^:]*)(:\d+)?$/.exec(req.headers.host || '');
+  if (!match) return false;
+  const name = match[1].toLowerCase();
+  return ['localhost', '127.0.0.1', '[::1]', HOST.toLowerCase(), `[${HOST.toLowerCase()}]`].includes(name);
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {boolean} Whether the request comes from the one other
+ *   origin allowed to use the API. Never without an access token.
+ */
+function isAllowedOrigin(req) {
+  return Boolean(ACCESS_TOKEN && ALLOWED_ORIGIN) && (ALLOWED_ORIGIN === '*' || req.headers.origin === ALLOWED_ORIGIN);
+}
+
+/**
+ * Answer an API request.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @returns {Promise<void>}
+ */
+async function handleApi(req, res, url) {
+  if (isCrossOrigin(req) && !isAllowedOrigin(req)) throw new HttpError(403, 'this server only answers its own pages');
+  if (!ACCESS_TOKEN && !isLocalHost(req)) {
+    throw new HttpError(403, 'without an access token this server only answers requests to localhost or its own address');
+  }
+  if (!isAuthorized(req)) throw new HttpError(401, 'a valid access token is needed');
+  const [kind, ...rest] = url.pathname.replace(/^\/api\/?/, '').split('/');
+  const id = rest.length ? decodePath(rest.join('/')) : '';
+  if (kind === 'changes' && !id) {
+    if (req.method !== 'GET') throw new HttpError(405, 'use GET');
+    sendJson(res, 200, listChanges(url.searchParams.get('since') || ''));
+    return;
+  }
+  if (!KINDS[kind]) throw new HttpError(404, 'no such resource');
+  const single = KINDS[kind] === 'single';
+  if (single && id) throw new HttpError(404, 'no such resource');
+  if (!single && !id) {
+    if (req.method !== 'GET') throw new HttpError(405, 'use GET');
+    const items = {};
+    Object.entries(db.records).forEach(([key, record]) => {
+      if (key.startsWith(`${kind}/`) && !record.deleted) items[key.slice(kind.length + 1)] = { rev: record.rev, value: record.value };
+    });
+    sendJson(res, 200, { token: currentToken(db), items });
+    return;
+  }
+  const key = single ? kind : `${kind}/${id}`;
+  const record = db.records[key];
+  if (req.method === 'GET') {
+    if (!record || record.deleted) {
+      // An empty list until the first client sets it
+      if (single) sendJson(res, 200, { rev: 0, value: [] });
+      else throw new HttpError(404, 'no such record');
+      return;
+    }
+    sendJson(res, 200, { rev: record.rev, value: record.value }, { ETag: `"${record.rev}"` });
+    return;
+  }
+  if (req.method === 'PUT') {
+    const value = await readJsonBody(req);
+    validateValue(kind, value);
+    checkPrecondition(req, record);
+    const written = writeRecord(key, value);
+    sendJson(res, 200, written, { ETag: `"${written.rev}"` });
+    return;
+  }
+  if (req.method === 'DELETE' && !single) {
+    checkPrecondition(req, record);
+    if (!record || record.deleted) throw new HttpError(404, 'no such record');
+    sendJson(res, 200, writeRecord(key));
+    return;
+  }
+  throw new HttpError(405, single ? 'use GET or PUT' : 'use GET, PUT or DELETE');
+}
+
+/**
+ * Serve one of the app's files.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ */
+function serveAppFile(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'use GET');
+  const relative = decodePath(url.pathname).replace(/^\/+/, '') || 'index.html';
+  const file = path.join(APP_DIR, relative);
+  const type = APP_FILE_TYPES[path.extname(file)];
+  // Only the app's own files: nothing outside its folder, nothing
+  // hidden and nothing from this server's folder (the database)
+  const inside = file.startsWith(APP_DIR + path.sep) && !file.startsWith(__dirname + path.sep);
+  if (!type || !inside || relative.split('/').some((part) => part.startsWith('.'))) {
+    throw new HttpError(404, 'not found');
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    res.end(req.method === 'HEAD' ? undefined : data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (isCrossOrigin(req) && isAllowedOrigin(req)) {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match, If-None-Match');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    res.setHeader('Vary', 'Origin');
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  const isApi = url.pathname === '/api' || url.pathname.startsWith('/api/');
+  Promise.resolve()
+    .then(() => (isApi ? handleApi(req, res, url) : serveAppFile(req, res, url)))
+    .catch((err) => {
+      if (!(err instanceof HttpError)) console.error(err);
+      const status = err instanceof HttpError ? err.status : 500;
+      if (!res.headersSent) sendJson(res, status, err instanceof HttpError ? err.body : { error: 'the server could not do that' });
+    });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Thought Bank sync server on http://${HOST}:${PORT} (database: ${DB_FILE})`);
+  if (!ACCESS_TOKEN) {
+    console.log(`No THOUGHTBANK_TOKEN is set: the API only answers requests to localhost or ${HOST}, and anyone who can reach it there can read and change the library.`);
+  }
+  if (ALLOWED_ORIGIN && !ACCESS_TOKEN) console.log(`THOUGHTBANK_ORIGIN is ignored until THOUGHTBANK_TOKEN is set: ${ALLOWED_ORIGIN} can't use the API.`);
+});
@@ -0,0 +1,143 @@
+// Service worker for the installed (offline) app.
+//
+// The app's own files are precached on install and served from the
+// cache, so Thought Bank opens with no network at all; each one is
+// refreshed in the background whenever it is served, and the new copy
+// is used from the next visit. Anything else the page loads (the web
+// font) is fetched from the network when possible and cached for when
+// it is not.
+//
+// It also receives the OS share sheet (the manifest's share_target).
+// A share arrives as a POST of a form; it is kept in SHARE_CACHE and the
+// page is opened with ?shared, where readSharedContent() in script.js
+// picks it up.
+
+// Bump when the list of app files changes so earlier caches are dropped
+const CACHE_NAME = 'thoughtbank-v1';
+// Where a share waits for the page; must match script.js
+const SHARE_CACHE = 'thoughtbank-share';
+const APP_FILES = [
+  './',
+  'index.html',
+  'script.js',
+  'styles.css',
+  'pdf-text.js',
+  'ocr-worker.js',
+  'manifest.webmanifest',
+  'icon.svg',
+  'thought_bank_logo.png',
+  'folder_green.png',
+  'new_folder_green.png',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME && name !== SHARE_CACHE).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method === 'POST' && url.href === new URL('share-target', self.registration.scope).href) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  // Only pages and what they load (scripts, styles, images, fonts) are
+  // cached. Calls made with fetch(), such as those to a sync server,
+  // always go to the network.
+  if (request.method !== 'GET' || (request.mode !== 'navigate' && !request.destination)) return;
+  if (url.origin === self.location.origin) {
+    event.respondWith(serveAppFile(request));
+  } else {
+    event.respondWith(serveFromNetwork(request));
+  }
+});
+
+/**
+ * Answer from the cache straight away and refresh the cached copy in
+ * the background. Pages (the start URL with ?shared, files opened
+ * from the OS) all get index.html.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+function serveAppFile(request) {
+  return caches.open(CACHE_NAME).then((cache) => {
+    const key = request.mode === 'navigate' ? 'index.html' : request;
+    const refresh = fetch(request)
+      .then((response) => {
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+      });
+    return cache.match(key, { ignoreSearch: true }).then((cached) => {
+      if (cached) {
+        refresh.catch(() => {
+          // Offline: the cached copy stays
+        });
+        return cached;
+      }
+      return refresh;
+    });
+  });
+}
+
+/**
+ * Fetch from the network, keeping a copy for when it is unreachable.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+function serveFromNetwork(request) {
+  return caches.open(CACHE_NAME).then((cache) =>
+    fetch(request)
+      .then((response) => {
+        // Cross-origin responses are opaque (status 0) but still usable
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+      })
+      .catch(() => cache.match(request).then((cached) => cached || Response.error()))
+  );
+}
+
+/**
+ * Keep a share from the OS share sheet for the page: the title, text
+ * and URL as shared/meta, and each file as shared/file-<n>. Then open
+ * the app to read it.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+function receiveShare(request) {
+  return request
+    .formData()
+    .then((form) =>
+      caches.open(SHARE_CACHE).then((cache) => {
+        const files = form.getAll('files').filter((file) => typeof file !== 'string');
+        const meta = {
+          title: form.get('title') || '',
+          text: form.get('text') || '',
+          url: form.get('url') || '',
+          files: files.map((file) => ({ name: file.name, type: file.type })),
+        };
+        return Promise.all([
+          cache.put('shared/meta', new Response(JSON.stringify(meta), { headers: { 'Content-Type': 'application/json' } })),
+          ...files.map((file, i) => cache.put(`shared/file-${i}`, new Response(file))),
+        ]);
+      })
+    )
+    .then(() => Response.redirect(new URL('./?shared', self.registration.scope).href, 303));
+}